@@ -5,11 +5,17 @@
  * the translator + data + TEMPLATES; this file extracts the engine
  * adapter block alone, evaluates it, and exercises every public method.
  *
- * sqljs path runs end-to-end against npm sql.js.
+ * sqljs path runs end-to-end against npm sql.js. The adapter runs sql.js
+ * in a Web Worker built from a Blob URL; here Blob / URL / Worker are
+ * shimmed onto worker_threads, with importScripts() handing the worker
+ * npm sql.js instead of the CDN build. That covers Cancel (the worker is
+ * terminated and the database reopened from its checkpoint), the
+ * statement timeout and stream()'s chunked results.
  *
- * duckdb path: the page's adapter calls a browser-only ESM import from
- * jsDelivr, which can't run under Node. We verify the adapter shape
- * (kind, ready, async exec/bulkInsert) and rejection paths only.
+ * duckdb path: the page imports DuckDB-Wasm from jsDelivr, which can't run
+ * under Node, so importModule() hands the adapter the part of DuckDB-Wasm's
+ * API it uses, built on npm @duckdb/node-api. That covers the adapter's
+ * shape, its exec/stream and a Cancel that interrupts a running statement.
  *
  * Run: node pages/Snowsight-engine-smoke.js
  */
@@ -19,6 +25,8 @@
 const fs = require('fs');
 const path = require('path');
 const vm = require('vm');
+const { Worker: NodeWorker } = require('worker_threads');
+const { DuckDBInstance } = require('@duckdb/node-api');
 
 const html = fs.readFileSync(path.join(__dirname, 'Snowsight'), 'utf8');
 
@@ -37,20 +45,95 @@ const engineCode = m[1] + `
 ;globalThis.selectedEngineKind = selectedEngineKind;
 `;
 
-const initSqlJsNpm = require('sql.js');
+// Blob URLs → worker source text.
+const blobs = new Map();
+let blobSeq = 0;
+class Blob {
+  constructor(parts) { this.text = parts.join(''); }
+}
+const URL = {
+  createObjectURL: blob => { const url = `blob:smoke/${++blobSeq}`; blobs.set(url, blob.text); return url; },
+  revokeObjectURL: url => { blobs.delete(url); }
+};
+// The worker side: browser worker globals over the thread's port. The
+// page's locateFile points at the CDN, so initSqlJs ignores it.
+const WORKER_BOOT = `
+  const { parentPort, workerData } = require('worker_threads');
+  const initSqlJsNpm = require(workerData.sqljs);
+  globalThis.self = globalThis;
+  globalThis.importScripts = () => { globalThis.initSqlJs = () => initSqlJsNpm(); };
+  globalThis.postMessage = data => parentPort.postMessage(data);
+  parentPort.on('message', data => self.onmessage({ data }));
+  require('vm').runInThisContext(workerData.source, { filename: 'sql.js worker (extracted)' });
+`;
+class Worker {
+  constructor(url) {
+    this.thread = new NodeWorker(WORKER_BOOT, { eval: true, workerData: { source: blobs.get(url), sqljs: require.resolve('sql.js') } });
+    this.thread.on('message', data => this.onmessage && this.onmessage({ data }));
+    this.thread.on('error', err => this.onerror && this.onerror(err));
+  }
+  postMessage(data) { this.thread.postMessage(data); }
+  terminate() { this.thread.terminate(); }
+}
+
+// DuckDB-Wasm over @duckdb/node-api, in-process (the page's DuckDB worker
+// is stopped at once). send() resolves when the statement has run, to a
+// reader whose record batches are the result's data chunks, and
+// cancelSent() interrupts it. Schema fields carry no Arrow type, so values
+// reach normalizeDuckValue as node-api's JavaScript values.
+const recordBatch = (schema, rows) => ({ schema, numRows: rows.length, toArray: () => rows });
+const duckdbWasm = {
+  getJsDelivrBundles: () => ({}),
+  selectBundle: async () => ({ mainWorker: 'duckdb-browser-eh.worker.js', mainModule: null, pthreadWorker: null }),
+  ConsoleLogger: class {},
+  AsyncDuckDB: class {
+    constructor(logger, worker) { worker.terminate(); }
+    async instantiate() { this.instance = await DuckDBInstance.create(':memory:'); }
+    async connect() {
+      const conn = await this.instance.connect();
+      return {
+        async send(sql) {
+          const result = await conn.stream(sql);
+          const names = result.columnNames();
+          const schema = { fields: names.map(name => ({ name, type: {} })) };
+          return {
+            schema,
+            async *[Symbol.asyncIterator]() {
+              for (let chunk; (chunk = await result.fetchChunk()) && chunk.rowCount;) yield recordBatch(schema, chunk.getRowObjects(names));
+            }
+          };
+        },
+        async cancelSent() { conn.interrupt(); return true; },
+        async query(sql) { await conn.run(sql); }
+      };
+    }
+  }
+};
+
+// The DuckDB adapter splits scripts with the translator's statementSpans,
+// and the sql.js worker's runtime includes TIMESTAMP_TEXT_RE; both are
+// taken from PART 1.
+const part1 = html.match(/<script>([\s\S]*?SNOWSIGHT CLONE - PART 1[\s\S]*?)<\/script>/)[1];
+const translator = { console, localStorage: { getItem: () => null, setItem() {}, removeItem() {} }, document: { addEventListener() {} }, window: {} };
+translator.globalThis = translator;
+vm.createContext(translator);
+vm.runInContext(part1.slice(0, part1.indexOf('// ---------- Formatting helpers')) + '\n;Object.assign(globalThis, { statementSpans, TIMESTAMP_TEXT_RE });', translator, { filename: 'Snowsight (extracted)' });
+
 const sandbox = {
   console,
-  // Strip browser-only locateFile so the sqljs adapter works under Node.
-  initSqlJs: () => initSqlJsNpm(),
+  statementSpans: translator.statementSpans,
+  TIMESTAMP_TEXT_RE: translator.TIMESTAMP_TEXT_RE,
   window: { location: { search: '' } },
   URLSearchParams,
-  // For the duckdb adapter — we don't actually call init(), so dynamic
-  // import never executes; nothing to stub.
-  Set, Map, Date, JSON, Promise, Error, RegExp, Blob: function () {}, Worker: function () {}, URL
+  Set, Map, Date, JSON, Promise, Error, Blob, Worker, URL, setTimeout, clearTimeout
 };
 sandbox.globalThis = sandbox;
 vm.createContext(sandbox);
 vm.runInContext(engineCode, sandbox, { filename: 'engine adapter (extracted)' });
+sandbox.importModule = async url => {
+  if (/@duckdb\/duckdb-wasm@/.test(url)) return duckdbWasm;
+  throw new Error(`No module for ${url} under Node`);
+};
 
 const { createEngine, selectedEngineKind } = sandbox;
 
@@ -88,18 +171,137 @@ const check = (name, ok, detail = '') => {
     && shape[0].columns.join(',') === 'id,name' && shape[0].values.length === 3;
   check('sqljs result shape sql.js-compatible', shapeOk);
 
+  await sq.createFunction('udf_twice', 1, x => x * 2, 'NUMBER');
+  const udf = await sq.exec(`SELECT udf_twice(id) FROM t ORDER BY id;`);
+  check('sqljs createFunction registers a scalar UDF', udf[0].values.map(r => r[0]).join(',') === '2,4,6');
+  await sq.createFunction('udf_fail', 0, () => { throw new Error('bad input'); }, 'NUMBER');
+  let udfErr = null;
+  try { await sq.exec(`SELECT udf_fail();`); } catch (e) { udfErr = e.message; }
+  check('sqljs UDF errors surface their message', udfErr === 'bad input', `got ${udfErr}`);
+
+  const aggs = await sq.exec(`SELECT median(id), stddev(id), mode(name), ` +
+    `listagg(0, name, '-', id, 'DESC NULLS FIRST', NULL, NULL, NULL, NULL, NULL, NULL) FROM t;`);
+  check('sqljs registers the JavaScript aggregates', aggs[0].values[0].join('|') === '2|1|a|c-b-a', `got ${aggs[0].values[0].join('|')}`);
+  const win = await sq.exec(`SELECT median_window(json_group_array(json_array(id)) OVER (ORDER BY id)) FROM t ORDER BY id;`);
+  check('sqljs aggregates have window forms', win[0].values.map(r => r[0]).join(',') === '1,1.5,2', `got ${win[0].values.map(r => r[0]).join(',')}`);
+  const conv = await sq.exec(`SELECT to_number('1.235', 5, 2), try_to_number('x', 38, 0), to_boolean('on');`);
+  check('sqljs registers the conversion functions', conv[0].values[0].join('|') === '1.24||1', `got ${conv[0].values[0].join('|')}`);
+  let convErr = null;
+  try { await sq.exec(`SELECT check_length('abcd', 3);`); } catch (e) { convErr = e.message; }
+  check('sqljs conversion errors use Snowflake messages', convErr === "String 'abcd' is too long and would be truncated", `got ${convErr}`);
+  const str = await sq.exec(`SELECT regexp_replace('a1b22', '\\d+', '#', 1, 2, ''), split_part('a-b-c', '-', -1), ` +
+    `sha2('abc', 256), sha2('abc', 384), seeded_random(7) = seeded_random(7);`);
+  check('sqljs registers the string functions', str[0].values[0].join('|') ===
+    'a1b#|c|ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad|' +
+    'cb00753f45a35e8bb5a03d699ac65007272c32ab0eded1631a8b605a43ff5bed8086072ba1e7cc2358baeca134c825a7|0', `got ${str[0].values[0].join('|')}`);
+
+  await sq.exec(`SELECT sequence_set('seq_a', 10, 5);`);
+  const seq = await sq.exec(`SELECT nextval('seq_a'), nextval('seq_a'), sequence_state();`);
+  check('sqljs nextval draws from sequence_set', seq[0].values[0].join('|') === '10|15|[["seq_a",20]]', `got ${seq[0].values[0].join('|')}`);
+
+  // ---------- sqljs stream ----------
+  await sq.exec(`CREATE TABLE big AS WITH RECURSIVE c(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM c WHERE n < 12000) SELECT n FROM c;`);
+  const chunks = [];
+  const streamed = await sq.stream(`SELECT n FROM big ORDER BY n`, rs => chunks.push(rs.values.length));
+  check('sqljs stream hands rows over every RESULT_CHUNK rows', chunks.join(',') === '5000,10000', `got ${chunks.join(',')}`);
+  check('sqljs stream resolves to the whole result', streamed.columns.join(',') === 'n' && streamed.values.length === 12000 && streamed.values[11999][0] === 12000);
+  const empty = await sq.stream(`SELECT id FROM t WHERE id > 99`);
+  check('sqljs stream keeps the columns of an empty result', empty.columns.join(',') === 'id' && empty.values.length === 0);
+  await sq.stream(`DELETE FROM big WHERE n > 10000`);
+  // Rows go out while the statement is still stepping: the first chunk of
+  // an endless one arrives, and Cancel stops it.
+  let firstChunk;
+  const chunked = new Promise(r => { firstChunk = r; });
+  const endless = sq.stream(`WITH RECURSIVE c(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM c) SELECT n FROM c`,
+    rs => firstChunk(rs.values.length)).then(() => null, e => e.message);
+  const firstRows = await chunked;
+  await sq.cancel();
+  check('sqljs stream hands rows over before the statement ends', firstRows === 5000 && await endless === 'SQL execution canceled', `got ${firstRows}`);
+
+  // ---------- sqljs cancel + statement timeout ----------
+  const LONG = `WITH RECURSIVE c(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM c WHERE n < 1000000000) SELECT COUNT(*) FROM c;`;
+  check('sqljs cancel() when idle resolves false', await sq.cancel() === false);
+  const long = sq.exec(LONG).then(() => null, e => e.message);
+  await new Promise(r => setTimeout(r, 300));
+  const canceled = await sq.cancel();
+  const cancelErr = await long;
+  check('sqljs cancel() stops a running statement', canceled === true && cancelErr === 'SQL execution canceled', `got ${canceled} / ${cancelErr}`);
+  check('sqljs is ready again after cancel', sq.ready === true);
+  const after = await sq.exec(`SELECT COUNT(*), MAX(udf_twice(id)), sequence_state(), (SELECT COUNT(*) FROM big) FROM t;`);
+  check('sqljs cancel keeps tables, UDFs, sequences and streamed writes', after[0].values[0].join('|') === '3|6|[["seq_a",20]]|10000', `got ${after[0].values[0].join('|')}`);
+  // A checkpoint holds what RANDOM() wrote; replaying it would draw anew.
+  await sq.exec(`CREATE TABLE drawn AS SELECT RANDOM() AS r;`);
+  const drawn = (await sq.exec(`SELECT r FROM drawn;`))[0].values[0][0];
+  const cancelAgain = async () => {
+    const run = sq.exec(LONG).then(() => null, e => e.message);
+    await new Promise(r => setTimeout(r, 300));
+    await sq.cancel();
+    return run;
+  };
+  await cancelAgain();
+  const redrawn = (await sq.exec(`SELECT r FROM drawn;`))[0].values[0][0];
+  check('sqljs cancel restores a checkpoint instead of rerunning statements', redrawn === drawn, `got ${redrawn} for ${drawn}`);
+  // Inside a transaction, or with a TEMP table, there is no checkpoint;
+  // what ran since the last one comes back by replay.
+  await sq.exec(`CREATE TEMP TABLE scratch AS SELECT 7 AS x;`);
+  await sq.exec(`BEGIN;`);
+  await sq.exec(`INSERT INTO t (id, name) VALUES (4, 'd');`);
+  await cancelAgain();
+  const open = await sq.exec(`SELECT (SELECT x FROM scratch), (SELECT COUNT(*) FROM t);`);
+  await sq.exec(`ROLLBACK;`);
+  const rolled = await sq.exec(`SELECT COUNT(*) FROM t;`);
+  check('sqljs cancel keeps an open transaction and TEMP tables', open[0].values[0].join('|') === '7|4' && rolled[0].values[0][0] === 3, `got ${open[0].values[0].join('|')} then ${rolled[0].values[0][0]}`);
+  await sq.exec(`DROP TABLE scratch;`);
+  sq.statementTimeout = 1;
+  let timeoutErr = null;
+  try { await sq.exec(LONG); } catch (e) { timeoutErr = e.message; }
+  check('sqljs statementTimeout cancels a long statement', timeoutErr === 'Statement reached its statement or warehouse timeout of 1 second(s) and was canceled.', `got ${timeoutErr}`);
+  const quick = await sq.exec(`SELECT COUNT(*) FROM t;`);
+  check('sqljs statements under the timeout still run', quick[0].values[0][0] === 3);
+  sq.statementTimeout = 0;
+
   // ---------- duckdb adapter (shape only — init requires browser) ----------
   const dk = createEngine('duckdb');
   check('duckdb kind=duckdb', dk.kind === 'duckdb');
   check('duckdb ready=false before init', dk.ready === false);
   check('duckdb has async exec', typeof dk.exec === 'function');
+  check('duckdb has async stream', typeof dk.stream === 'function');
   check('duckdb has async bulkInsert', typeof dk.bulkInsert === 'function');
   check('duckdb has init', typeof dk.init === 'function');
+  check('duckdb has async createFunction', typeof dk.createFunction === 'function');
+  check('duckdb has no statement timeout by default', dk.statementTimeout === 0);
+  check('duckdb cancel() when idle resolves false', await dk.cancel() === false);
   // Methods must return promises (engine.exec contract is async on both kinds).
   const fakeProbe = dk.bulkInsert('t', ['x'], []);
   check('duckdb bulkInsert([]) returns a Promise', fakeProbe && typeof fakeProbe.then === 'function');
   await fakeProbe;
 
+  // ---------- duckdb over node-api ----------
+  await dk.init();
+  check('duckdb ready=true after init', dk.ready === true);
+  await dk.exec(`CREATE TABLE t AS SELECT range AS id FROM range(3);`);
+  const duckRs = await dk.exec(`SELECT COUNT(*) AS n, MAX(id) AS top FROM t;`);
+  check('duckdb exec returns the sql.js shape', duckRs[0].columns.join(',') === 'n,top' && duckRs[0].values[0].join('|') === '3|2', `got ${JSON.stringify(duckRs)}`);
+  const duckChunks = [];
+  const duckStreamed = await dk.stream(`SELECT range AS n FROM range(5000) ORDER BY n`, rs => duckChunks.push(rs.values.length));
+  check('duckdb stream hands rows over per record batch', duckChunks.length > 1 && duckChunks[duckChunks.length - 1] === 5000, `got ${duckChunks.join(',')}`);
+  check('duckdb stream resolves to the whole result', duckStreamed.columns.join(',') === 'n' && duckStreamed.values.length === 5000 && duckStreamed.values[4999][0] === 4999);
+  const duckEmpty = await dk.stream(`SELECT id FROM t WHERE id > 99`);
+  check('duckdb stream keeps the columns of an empty result', duckEmpty.columns.join(',') === 'id' && duckEmpty.values.length === 0);
+  const DUCK_LONG = `SELECT COUNT(*) FROM range(1000000000000);`;
+  const duckLong = dk.exec(DUCK_LONG).then(() => null, e => e.message);
+  await new Promise(r => setTimeout(r, 300));
+  const duckCanceled = await dk.cancel();
+  const duckCancelErr = await duckLong;
+  check('duckdb cancel() interrupts a running statement', duckCanceled === true && duckCancelErr === 'SQL execution canceled', `got ${duckCanceled} / ${duckCancelErr}`);
+  const duckAfter = await dk.exec(`SELECT COUNT(*) FROM t;`);
+  check('duckdb runs statements again after cancel', duckAfter[0].values[0][0] === 3);
+  dk.statementTimeout = 1;
+  let duckTimeoutErr = null;
+  try { await dk.exec(DUCK_LONG); } catch (e) { duckTimeoutErr = e.message; }
+  check('duckdb statementTimeout cancels a long statement', duckTimeoutErr === 'Statement reached its statement or warehouse timeout of 1 second(s) and was canceled.', `got ${duckTimeoutErr}`);
+  dk.statementTimeout = 0;
+
   console.log(`\n${pass} passed, ${fail} failed`);
   process.exit(fail === 0 ? 0 : 1);
 })().catch(e => {
@@ -1,7 +1,10 @@
 #!/usr/bin/env node
 /**
  * Snowsight test harness — runs every TEMPLATE from pages/Snowsight against
- * the requested engine and prints a pass/fail summary.
+ * the requested engine and prints a pass/fail summary. Error, session and
+ * worksheet cases follow; worksheet cases run whole scripts through the
+ * page's own worksheet path (runScriptSql), so Time Travel, stages, grants
+ * and the other statements the page intercepts are covered too.
  *
  * Single source of truth: the translator, data generators, and TEMPLATES are
  * extracted directly from pages/Snowsight via vm.runInContext, so this
@@ -49,32 +52,55 @@ if (!scriptMatch) {
   process.exit(2);
 }
 
+// The whole script: the page only touches the DOM once DOMContentLoaded
+// boots it, which never fires here. Besides the translator, data and
+// TEMPLATES that gives the engine adapter block (the JavaScript aggregates,
+// conversions, string functions and sequences registered on the sql.js
+// database) and the worksheet path WORKSHEET_CASES run through.
 let scriptText = scriptMatch[1];
 
-// Cut at "Formatting helpers" — that's where DOM-bound code begins.
-const cutMarker = '// ---------- Formatting helpers';
-const cutIdx = scriptText.indexOf(cutMarker);
-if (cutIdx > 0) scriptText = scriptText.slice(0, cutIdx);
-
 scriptText += `
 ;globalThis.TEMPLATES = TEMPLATES;
 ;globalThis.translateSnowflake = translateSnowflake;
+;globalThis.translateWithPrequeries = translateWithPrequeries;
 ;globalThis.generateTPCH = generateTPCH;
 ;globalThis.generateDemoDB = generateDemoDB;
+;globalThis.registerSqljsAggregates = registerSqljsAggregates;
+;globalThis.registerSqljsConversions = registerSqljsConversions;
+;globalThis.registerSqljsStringFunctions = registerSqljsStringFunctions;
+;globalThis.registerSqljsSequences = registerSqljsSequences;
+;globalThis.statementSpans = statementSpans;
+;globalThis.page = { state, loadState, runScriptSql, makeQID, retainResult, addFileToStage };
 `;
 
+// What statements render as they go (status bar, object tree) lands on an
+// inert DOM: every element, property and call is this same stand-in.
+const inert = new Proxy(function () {}, {
+  get: (t, k) => k === Symbol.iterator ? function* () {} : k === Symbol.toPrimitive ? () => '' : k === 'then' ? undefined : inert,
+  set: () => true,
+  apply: () => inert,
+  construct: () => inert
+});
+const storage = new Map();
 const sandbox = {
   console,
-  localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
-  document: { addEventListener() {} },
-  window: {}
+  localStorage: {
+    getItem: k => storage.has(k) ? storage.get(k) : null,
+    setItem: (k, v) => { storage.set(k, String(v)); },
+    removeItem: k => { storage.delete(k); }
+  },
+  document: inert,
+  window: { location: { search: '' }, addEventListener() {} },
+  navigator: {},
+  requestAnimationFrame: () => 0,
+  performance, setTimeout, clearTimeout, URLSearchParams, TextEncoder, TextDecoder
 };
 sandbox.globalThis = sandbox;
 vm.createContext(sandbox);
 vm.runInContext(scriptText, sandbox, { filename: 'Snowsight (extracted)' });
 
-const { TEMPLATES, translateSnowflake, generateTPCH, generateDemoDB } = sandbox;
-if (!TEMPLATES || !translateSnowflake || !generateTPCH || !generateDemoDB) {
+const { TEMPLATES, translateSnowflake, translateWithPrequeries, generateTPCH, generateDemoDB, registerSqljsAggregates, registerSqljsConversions, registerSqljsStringFunctions, registerSqljsSequences, statementSpans, page } = sandbox;
+if (!TEMPLATES || !translateSnowflake || !translateWithPrequeries || !generateTPCH || !generateDemoDB || !registerSqljsAggregates || !registerSqljsConversions || !registerSqljsStringFunctions || !registerSqljsSequences || !statementSpans || !page) {
   console.error('Failed to extract required symbols from pages/Snowsight.');
   process.exit(2);
 }
@@ -121,7 +147,12 @@ async function makeSqljsAdapter() {
   const initSqlJs = require('sql.js');
   const SQL = await initSqlJs();
   const db = new SQL.Database();
+  registerSqljsAggregates(db);
+  registerSqljsConversions(db);
+  registerSqljsStringFunctions(db);
+  registerSqljsSequences(db);
   return {
+    kind: 'sqljs',
     label: () => {
       let v = '?';
       try {
@@ -130,6 +161,7 @@ async function makeSqljsAdapter() {
       return `sql.js ${v}`;
     },
     async exec(sql) { return db.exec(sql); },
+    async createFunction(name, argc, fn) { db.create_function(name, Object.defineProperty(fn, 'length', { value: argc })); },
     async bulkInsert(table, cols, rows) {
       if (!rows.length) return;
       const stmt = db.prepare(`INSERT INTO ${table} (${cols.join(',')}) VALUES (${cols.map(_ => '?').join(',')})`);
@@ -145,6 +177,7 @@ async function makeDuckDBAdapter() {
   const inst = await DuckDBInstance.create(':memory:');
   const conn = await inst.connect();
   return {
+    kind: 'duckdb',
     label: () => `@duckdb/node-api ${pkg.version}`,
     async exec(sql) {
       const trimmed = String(sql).trim().replace(/;\s*$/, '');
@@ -181,12 +214,444 @@ function normalizeDuck(v) {
   }
   if (v instanceof Date) return v.toISOString().slice(0, 10);
   if (typeof v === 'object') {
+    if (typeof v.toDouble === 'function') return v.toDouble();
     if (typeof v.days !== 'undefined') return new Date(Number(v.days) * 86400000).toISOString().slice(0, 10);
     if (typeof v.micros !== 'undefined') return new Date(Number(v.micros) / 1000).toISOString().slice(0, 10);
   }
   return v;
 }
 
+// ---------- Error cases ----------
+
+// Harness-only: statements the translation must make fail, with the error
+// they fail with.
+const ERROR_CASES = [
+  { id: 'merge-dup', title: 'MERGE updating a row from two source rows is nondeterministic',
+    error: /Duplicate row detected during DML action/,
+    sql: `CREATE OR REPLACE TABLE merge_dup AS SELECT dept_id, budget FROM demo_db.public.departments;
+MERGE INTO merge_dup AS t
+USING (SELECT 1 AS dept_id, 10 AS budget UNION ALL SELECT 1, 20) AS s
+ON t.dept_id = s.dept_id
+WHEN MATCHED THEN UPDATE SET t.budget = s.budget;` },
+  { id: 'to-date', title: 'TO_DATE of a day the month does not have',
+    error: /Date '2023-02-30' is not recognized/,
+    sql: `SELECT TO_DATE('2023-02-30') AS d;` },
+  { id: 'tochar-bad', title: 'TO_CHAR with a model that is neither numeric nor a date',
+    error: /Unsupported feature 'TO_CHAR format model 99X9'/,
+    sql: `SELECT TO_CHAR(1234, '99X9') AS c;` },
+  { id: 'sha2-size', title: 'SHA2 with a digest size other than 224, 256, 384 or 512',
+    error: /SHA2 digest size 100 is not valid/,
+    sql: `SELECT SHA2('abc', 100) AS h;` }
+];
+
+// ---------- Session cases ----------
+
+// Harness-only: statements run with the `scope` runQuery passes for a
+// session whose role has policies or grants, each pinned either to its
+// `expect` rows or to the `error` it raises. `setup` runs untranslated
+// first, the way the page creates Time Travel snapshots for itself.
+const PHONE_MASK = { database: 'SNOWFLAKE_SAMPLE_DATA', schema: 'TPCH_SF1', name: 'PHONE_MASK', args: [{ name: 'VAL' }], body: `'***'` };
+const MASKED_SCOPE = {
+  database: 'SNOWFLAKE_SAMPLE_DATA', schema: 'TPCH_SF1', role: 'ANALYST', roles: ['ANALYST', 'PUBLIC'],
+  policies: [{ database: 'SNOWFLAKE_SAMPLE_DATA', schema: 'TPCH_SF1', table: 'CUSTOMER', columns: TPCH_COLS.customer,
+               masks: [{ column: 'c_phone', using: [], policy: PHONE_MASK }], rowAccess: [] }]
+};
+const GRANTED_SCOPE = {
+  database: 'SNOWFLAKE_SAMPLE_DATA', schema: 'TPCH_SF1', role: 'ANALYST', roles: ['ANALYST', 'PUBLIC'],
+  privileges: { 'SNOWFLAKE_SAMPLE_DATA.TPCH_SF1.CUSTOMER': { kind: 'TABLE', granted: [] },
+                'SNOWFLAKE_SAMPLE_DATA.TPCH_SF1.ORDERS': { kind: 'TABLE', granted: ['SELECT', 'INSERT'] } }
+};
+const SNAPSHOT_SETUP = `CREATE TABLE IF NOT EXISTS __tt_customer_1 AS SELECT * FROM customer WHERE c_custkey <= 2`;
+const DENIED = /Insufficient privileges to operate on table 'CUSTOMER'/;
+const ORDERS_DENIED = /Insufficient privileges to operate on table 'ORDERS'/;
+const SESSION_CASES = [
+  { id: 'mask-paren', title: 'Masking policy on a parenthesised relation',
+    scope: MASKED_SCOPE, expect: [[1, '***'], [2, '***']],
+    sql: `SELECT c_custkey, c_phone FROM (customer) WHERE c_custkey <= 2 ORDER BY 1;` },
+  { id: 'mask-table', title: 'Masking policy on TABLE(\'name\') inside a parenthesised join',
+    scope: MASKED_SCOPE, expect: [[1, '***']],
+    sql: `SELECT c.c_custkey, c.c_phone FROM (nation n JOIN TABLE('customer') c ON c.c_nationkey = n.n_nationkey)
+WHERE c.c_custkey = 1;` },
+  { id: 'mask-tt', title: 'Masking policy on a Time Travel snapshot of its table',
+    scope: Object.assign({ snapshots: ['__tt_customer_1'] }, MASKED_SCOPE), setup: SNAPSHOT_SETUP, expect: [[1, '***'], [2, '***']],
+    sql: `SELECT c_custkey, c_phone FROM __tt_customer_1 AS customer ORDER BY 1;` },
+  { id: 'tt-direct', title: 'Snapshot tables cannot be named directly',
+    scope: MASKED_SCOPE, setup: SNAPSHOT_SETUP, error: /Object '__TT_CUSTOMER_1' does not exist or not authorized/,
+    sql: `SELECT * FROM __tt_customer_1;` },
+  { id: 'deny-paren', title: 'SELECT from a parenthesised relation needs SELECT',
+    scope: GRANTED_SCOPE, error: DENIED, sql: `SELECT * FROM (customer);` },
+  { id: 'deny-table', title: 'SELECT from TABLE(name) needs SELECT',
+    scope: GRANTED_SCOPE, error: DENIED, sql: `SELECT * FROM TABLE(customer);` },
+  { id: 'deny-del', title: 'DELETE from a parenthesised relation needs DELETE',
+    scope: GRANTED_SCOPE, error: DENIED, sql: `DELETE FROM (customer);` },
+  { id: 'deny-ins', title: 'INSERT … SELECT needs SELECT on what it reads',
+    scope: GRANTED_SCOPE, error: DENIED, sql: `INSERT INTO orders SELECT * FROM (customer);` },
+  { id: 'deny-tt', title: 'A Time Travel snapshot is checked as its table',
+    scope: Object.assign({ snapshots: ['__tt_customer_1'] }, GRANTED_SCOPE), setup: SNAPSHOT_SETUP, error: DENIED,
+    sql: `SELECT * FROM __tt_customer_1 AS customer;` },
+  { id: 'allow-sub', title: 'SELECT through a subquery with SELECT granted',
+    scope: GRANTED_SCOPE, expect: [[1]], sql: `SELECT COUNT(*) FROM (SELECT * FROM orders WHERE o_orderkey = 1);` },
+  { id: 'deny-sub', title: 'SELECT through a subquery needs SELECT',
+    scope: GRANTED_SCOPE, error: DENIED, sql: `SELECT COUNT(*) FROM (SELECT * FROM customer);` },
+  { id: 'allow-cte', title: 'SELECT through a CTE with SELECT granted',
+    scope: GRANTED_SCOPE, expect: [[1]], sql: `WITH o AS (SELECT * FROM orders WHERE o_orderkey = 1) SELECT COUNT(*) FROM o;` },
+  { id: 'deny-cte', title: 'SELECT through a CTE needs SELECT',
+    scope: GRANTED_SCOPE, error: DENIED, sql: `WITH c AS (SELECT * FROM customer) SELECT COUNT(*) FROM c;` },
+  { id: 'deny-upd', title: 'UPDATE needs UPDATE, not just SELECT and INSERT',
+    scope: GRANTED_SCOPE, error: ORDERS_DENIED, sql: `UPDATE orders SET o_comment = 'x' WHERE o_orderkey = 1;` },
+  { id: 'deny-odel', title: 'DELETE needs DELETE, not just SELECT and INSERT',
+    scope: GRANTED_SCOPE, error: ORDERS_DENIED, sql: `DELETE FROM orders WHERE o_orderkey = 1;` },
+  { id: 'deny-merge', title: 'MERGE needs the privileges of its actions on the target',
+    scope: GRANTED_SCOPE, error: ORDERS_DENIED,
+    sql: `MERGE INTO orders o USING (SELECT 1 AS k) s ON o.o_orderkey = s.k WHEN MATCHED THEN UPDATE SET o_comment = 'x';` }
+];
+
+// ---------- Worksheet cases ----------
+
+// Harness-only: scripts run statement by statement through the page's own
+// runScriptSql — intercepts, Time Travel, grants, stages and the rest of
+// the worksheet path — in a fresh session (SYSADMIN in
+// SNOWFLAKE_SAMPLE_DATA.TPCH_SF1, nothing saved), each result kept for
+// RESULT_SCAN as runQuery keeps it, and any `staged` files ({ name: text })
+// uploaded to the user stage @~ first. The last statement's rows must match
+// `expect`, or a statement must raise `error`. Tables a case creates stay
+// on the engine, so each case names its own.
+const WORKSHEET_CASES = [
+  { id: 'cor-fail', title: 'A failed CREATE OR REPLACE leaves the old table',
+    expect: [[25]],
+    sql: `CREATE TABLE cor_keep AS SELECT n_nationkey FROM nation;
+ALTER TABLE cor_keep SET DATA_RETENTION_TIME_IN_DAYS = 0;
+BEGIN
+  CREATE OR REPLACE TABLE cor_keep AS SELECT no_such_col FROM nation;
+EXCEPTION WHEN OTHER THEN RETURN 'failed';
+END;
+SELECT COUNT(*) FROM cor_keep;` },
+  { id: 'cor-err', title: 'A failed CREATE OR REPLACE raises its error',
+    error: /no_such_col/i,
+    sql: `CREATE TABLE cor_err AS SELECT n_nationkey FROM nation;
+CREATE OR REPLACE TABLE cor_err AS SELECT no_such_col FROM nation;` },
+  { id: 'str-cast', title: 'Casts to STRING, VARCHAR(n) and CHAR give text, a variant path its string',
+    expect: [['abc', '7', 'pro', '{"plan":"pro"}', 'GERMANY', 'x']],
+    sql: `WITH v AS (SELECT PARSE_JSON('{"plan":"pro"}') AS props)
+SELECT 'abc'::string, CAST(n_nationkey AS STRING), props:plan::string, props::text, n_name::varchar(20), 'x'::char
+FROM nation, v WHERE n_nationkey = 7;` },
+  { id: 'to-double', title: 'TO_DOUBLE, TRY_TO_DOUBLE and casts to VARCHAR(n), TRY_CAST giving NULL for text too long',
+    expect: [[1.5, null, 2000, 3, null, 'ab', 'ab', 'x', null]],
+    sql: `SELECT TO_DOUBLE('1.5'), TRY_TO_DOUBLE('abc'), TRY_TO_DOUBLE('2e3'), TO_DOUBLE(3), TRY_CAST('abc' AS VARCHAR(2)),
+  TRY_CAST('ab' AS VARCHAR(2)), CAST('ab' AS VARCHAR(2)), 'x'::char, TRY_CAST(PARSE_JSON('{"a":"xyz"}'):a AS VARCHAR(2));` },
+  { id: 'double-bad', title: 'TO_DOUBLE of text that is not a number',
+    error: /Could not convert string 'abc' to DOUBLE|Numeric value 'abc' is not recognized/,
+    sql: `SELECT TO_DOUBLE('abc');` },
+  { id: 'str-long', title: 'CAST of text longer than VARCHAR(n)',
+    error: /String 'abc' is too long and would be truncated/,
+    sql: `SELECT CAST('abc' AS VARCHAR(2));` },
+  { id: 'flat-outer', title: 'FLATTEN OUTER => TRUE gives an empty input one row with a NULL VALUE; a null element stays JSON null',
+    expect: [['[]', null, 'sql'], ['[1,null]', 0, 'variant'], ['[1,null]', 1, 'variant']],
+    sql: `SELECT t.s, f.index, IFF(f.value IS NULL, 'sql', 'variant')
+FROM (SELECT '[]' AS s UNION ALL SELECT '[1,null]') t, LATERAL FLATTEN(INPUT => PARSE_JSON(t.s), OUTER => TRUE) f
+ORDER BY LENGTH(t.s), 2;` },
+  { id: 'obj-insert', title: 'OBJECT_INSERT adds a key last and updates one in place',
+    expect: [['{"b":1,"a":2,"c":3}', '{"b":"x","a":2}']],
+    sql: `SELECT OBJECT_INSERT(PARSE_JSON('{"b":1,"a":2}'), 'c', 3)::string,
+  OBJECT_INSERT(PARSE_JSON('{"b":1,"a":2}'), 'b', 'x', TRUE)::string;` },
+  { id: 'obj-dup', title: 'OBJECT_INSERT of an existing key without the update flag',
+    error: /Duplicate field key 'b'/,
+    sql: `SELECT OBJECT_INSERT(PARSE_JSON('{"b":1,"a":2}'), 'b', 3);` },
+  { id: 'sha2', title: 'SHA2 and SHA2_HEX with the default 256-bit digest',
+    expect: [['ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad']],
+    sql: `SELECT SHA2('abc'), SHA2_HEX('abc', 256);` },
+  { id: 'sha2-sizes', title: 'SHA2 with 224-, 384- and 512-bit digests', engines: ['sqljs'],
+    expect: [['23097d223405d8228642a477bda255b32aadbce4bda0b3f7e36c9da7',
+      'cb00753f45a35e8bb5a03d699ac65007272c32ab0eded1631a8b605a43ff5bed8086072ba1e7cc2358baeca134c825a7',
+      'ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f']],
+    sql: `SELECT SHA2('abc', 224), SHA2('abc', 384), SHA2_HEX('abc', 512);` },
+  { id: 'sha2-duck', title: 'SHA2 digests other than 256 bits need sql.js', engines: ['duckdb'],
+    error: /SHA2 digest size 512 needs the sql.js engine/,
+    sql: `SELECT SHA2('abc', 512);` },
+  { id: 'tz-forms', title: 'Timestamps with ±HHMM, ±HH:MM and Z offsets and a T before the time',
+    expect: [['2024-01-01 00:00:00.000 -0800', '2024-01-01 00:00:00.000 +0000', '2024-01-01 10:00:00.000 +0000',
+      '2024-01-01 10:00:00.500 +0000', '2024-01-01 10:00:00.123 -0500', 1704085200, '2024-01-01 10:00:00.000',
+      '2024-01-01 02:00:00.000 -0800', 5, 30]],
+    sql: `SELECT TO_TIMESTAMP_TZ('2024-01-01 00:00:00 -0800'), '2024-01-01 00:00:00 +0000'::timestamp_tz,
+  '2024-01-01T10:00:00Z'::timestamp_tz, '2024-01-01 10:00:00.5+00:00'::timestamp_tz,
+  TO_TIMESTAMP_TZ('2024-01-01 10:00:00.123 -0500'), DATE_PART(epoch_second, '2024-01-01T00:00:00-05:00'::timestamp_tz),
+  '2024-01-01T10:00:00'::timestamp, TO_TIMESTAMP_LTZ('2024-01-01 10:00:00Z'),
+  DATE_PART(timezone_hour, '2024-01-01 10:00:00+05:30'::timestamp_tz), DATE_PART(timezone_minute, '2024-01-01 10:00:00+05:30'::timestamp_tz);` },
+  { id: 'num-model', title: 'TO_CHAR and TO_VARCHAR with numeric format models',
+    expect: [['   1,234.50', '  -1,234.50', '    .50', '   0.50', '  $12', ' -12', ' 12-', '####', '1,234.57', ' 0042', '  .13', null, ' 12+']],
+    sql: `SELECT TO_CHAR(1234.5, '999,999.00'), TO_CHAR(-1234.5, '999,999.00'), TO_CHAR(0.5, '999.99'), TO_CHAR(0.5, '990.99'),
+  TO_CHAR(12, '$999'), TO_CHAR(-12, 'S999'), TO_CHAR(-12, '999MI'), TO_CHAR(123456, '999'), TO_CHAR(1234.567, 'FM9,999.99'),
+  TO_CHAR(42, '0000'), TO_VARCHAR(0.125, '9.99'), TO_CHAR(NULL, '999'), TO_CHAR(12, '999S');` },
+  { id: 'col-names', title: 'An unaliased expression is named by its text as written, upper-cased',
+    columns: ['CURRENT_DATABASE()', '$A', "'X'::STRING", 'COUNT(*)', 'N'],
+    expect: [['SNOWFLAKE_SAMPLE_DATA', 5, 'x', 1, 'ALGERIA']],
+    sql: `SET a = 5;
+SELECT current_database(), $a, 'x'::string, count(*), n_name AS "N"
+FROM nation WHERE n_nationkey = 0 GROUP BY n_name;` },
+  { id: 'shared-ok', title: 'IMPORTED PRIVILEGES let PUBLIC read the sample tables',
+    expect: [[25]],
+    sql: `USE ROLE PUBLIC;
+SELECT COUNT(*) FROM snowflake_sample_data.tpch_sf1.nation;` },
+  { id: 'shared-new', title: 'IMPORTED PRIVILEGES do not reach a table created in the sample database',
+    error: /Insufficient privileges to operate on table 'SHARED_NEW'/,
+    sql: `CREATE TABLE shared_new AS SELECT 1 AS a;
+USE ROLE PUBLIC;
+SELECT * FROM shared_new;` },
+  { id: 'grant-ok', title: 'A table\'s owner grants SELECT, and the grantee reads it directly and through EXECUTE IMMEDIATE',
+    expect: [[1]],
+    sql: `CREATE OR REPLACE TABLE grant_ok AS SELECT 1 AS a;
+GRANT SELECT ON TABLE grant_ok TO ROLE PUBLIC;
+USE ROLE PUBLIC;
+SELECT * FROM grant_ok;
+EXECUTE IMMEDIATE 'SELECT COUNT(*) FROM grant_ok';` },
+  { id: 'grant-no', title: 'GRANT needs ownership of the object',
+    error: /Insufficient privileges to operate on table 'GRANT_NO'/,
+    sql: `CREATE OR REPLACE TABLE grant_no AS SELECT 1 AS a;
+GRANT SELECT ON TABLE grant_no TO ROLE PUBLIC;
+USE ROLE PUBLIC;
+GRANT SELECT ON TABLE grant_no TO ROLE ANALYST;` },
+  { id: 'revoke-ok', title: 'After REVOKE the role is denied, EXECUTE IMMEDIATE included',
+    error: /Insufficient privileges to operate on table 'REVOKE_OK'/,
+    sql: `CREATE OR REPLACE TABLE revoke_ok AS SELECT 1 AS a;
+GRANT SELECT ON TABLE revoke_ok TO ROLE PUBLIC;
+REVOKE SELECT ON TABLE revoke_ok FROM ROLE PUBLIC;
+USE ROLE PUBLIC;
+EXECUTE IMMEDIATE 'SELECT COUNT(*) FROM revoke_ok';` },
+  { id: 'revoke-no', title: 'REVOKE needs ownership of the object',
+    error: /Insufficient privileges to operate on table 'REVOKE_NO'/,
+    sql: `CREATE OR REPLACE TABLE revoke_no AS SELECT 1 AS a;
+GRANT SELECT ON TABLE revoke_no TO ROLE PUBLIC;
+USE ROLE PUBLIC;
+REVOKE SELECT ON TABLE revoke_no FROM ROLE PUBLIC;` },
+  { id: 'show-gr-ok', title: 'SHOW GRANTS to a role the current role holds',
+    expect: [['2026-05-08 09:00:00.000 -0700', 'IMPORTED PRIVILEGES', 'DATABASE', 'SNOWFLAKE_SAMPLE_DATA', 'ROLE', 'PUBLIC', 'false', 'ACCOUNTADMIN']],
+    sql: `USE ROLE PUBLIC;
+SHOW GRANTS TO ROLE PUBLIC;` },
+  { id: 'show-gr-no', title: 'SHOW GRANTS needs the role, a privilege on the object, or MANAGE GRANTS',
+    error: /Insufficient privileges to operate on role 'SYSADMIN'/,
+    sql: `USE ROLE PUBLIC;
+SHOW GRANTS TO ROLE SYSADMIN;` },
+  { id: 'show-on-no', title: 'SHOW GRANTS ON an object needs a privilege on it',
+    error: /Insufficient privileges to operate on table 'SHOW_ON_NO'/,
+    sql: `CREATE OR REPLACE TABLE show_on_no AS SELECT 1 AS a;
+USE ROLE PUBLIC;
+SHOW GRANTS ON TABLE show_on_no;` },
+  { id: 'drop-no', title: 'DROP needs ownership of the table',
+    error: /Insufficient privileges to operate on table 'DROP_NO'/,
+    sql: `CREATE OR REPLACE TABLE drop_no AS SELECT 1 AS a;
+GRANT SELECT ON TABLE drop_no TO ROLE PUBLIC;
+USE ROLE PUBLIC;
+DROP TABLE drop_no;` },
+  { id: 'drop-ok', title: 'The owner drops the table',
+    expect: [['DROP_OK successfully dropped.']],
+    sql: `CREATE OR REPLACE TABLE drop_ok AS SELECT 1 AS a;
+DROP TABLE drop_ok;` },
+  { id: 'created-on', title: 'SHOW TABLES gives a created table its creation time, kept across writes and renames',
+    expect: [['CREATED_ON_B', 'own']],
+    sql: `CREATE OR REPLACE TABLE created_on_a AS SELECT 1 AS a;
+INSERT INTO created_on_a VALUES (2);
+ALTER TABLE created_on_a RENAME TO created_on_b;
+SHOW TERSE TABLES LIKE 'CREATED_ON_B';
+SELECT "name", IFF("created_on" = '2026-05-08 09:00:00.000 -0700', 'sample', 'own') FROM TABLE(RESULT_SCAN(LAST_QUERY_ID()));` },
+  { id: 'undrop-ok', title: 'UNDROP restores a dropped table with its rows',
+    expect: [[2]],
+    sql: `CREATE OR REPLACE TABLE undrop_ok AS SELECT 1 AS a;
+INSERT INTO undrop_ok VALUES (2);
+DROP TABLE undrop_ok;
+UNDROP TABLE undrop_ok;
+SELECT COUNT(*) FROM undrop_ok;` },
+  { id: 'undrop-no', title: 'UNDROP of a table that was never dropped',
+    error: /Table UNDROP_NO did not exist or was purged/,
+    sql: `CREATE OR REPLACE TABLE undrop_no AS SELECT 1 AS a;
+UNDROP TABLE undrop_no;` },
+  { id: 'before-ok', title: 'BEFORE(STATEMENT => …) reads the table as a DELETE found it',
+    expect: [[0, 2]],
+    sql: `CREATE OR REPLACE TABLE before_ok AS SELECT 1 AS a UNION ALL SELECT 2;
+DELETE FROM before_ok;
+SET q = LAST_QUERY_ID();
+SELECT (SELECT COUNT(*) FROM before_ok), (SELECT COUNT(*) FROM before_ok BEFORE(STATEMENT => $q));` },
+  { id: 'at-no', title: 'AT a time before the table was created',
+    error: /Time travel data is not available for table AT_NO/,
+    sql: `CREATE OR REPLACE TABLE at_no AS SELECT 1 AS a;
+SELECT * FROM at_no AT(OFFSET => -3600);` },
+  { id: 'copy-ok', title: 'COPY INTO from a staged CSV with ON_ERROR = CONTINUE loads the good rows',
+    staged: { 'copy_ok.csv': 'id,name\n1,a\nx,b\n3,c\n' },
+    expect: [['copy_ok.csv', 'PARTIALLY_LOADED', 3, 2, "Numeric value 'x' is not recognized", 3, 2]],
+    sql: `CREATE OR REPLACE TABLE copy_ok (id INT, name STRING);
+COPY INTO copy_ok FROM @~/copy_ok.csv FILE_FORMAT = (TYPE = CSV SKIP_HEADER = 1) ON_ERROR = CONTINUE;
+SELECT "file", "status", "rows_parsed", "rows_loaded", "first_error", "first_error_line", (SELECT COUNT(*) FROM copy_ok)
+FROM TABLE(RESULT_SCAN(LAST_QUERY_ID()));` },
+  { id: 'copy-abort', title: 'COPY INTO aborts on a bad row by default',
+    staged: { 'copy_abort.csv': '1,a\nx,b\n' },
+    error: /Numeric value 'x' is not recognized/,
+    sql: `CREATE OR REPLACE TABLE copy_abort (id INT, name STRING);
+COPY INTO copy_abort FROM @~/copy_abort.csv;` },
+  { id: 'use-ok', title: 'USE SCHEMA moves the context unqualified names resolve in',
+    expect: [['DEMO_DB', 'PUBLIC', 8]],
+    sql: `USE SCHEMA DEMO_DB.PUBLIC;
+SELECT CURRENT_DATABASE(), CURRENT_SCHEMA(), COUNT(*) FROM departments;` },
+  { id: 'use-no', title: 'USE DATABASE of a database that does not exist',
+    error: /Object does not exist, or operation cannot be performed/,
+    sql: `USE DATABASE no_such_db;` },
+  { id: 'use-scope', title: 'After USE SCHEMA an unqualified name no longer reaches the old schema',
+    error: /Object 'NATION' does not exist or not authorized/,
+    sql: `USE SCHEMA DEMO_DB.PUBLIC;
+SELECT COUNT(*) FROM nation;` },
+  { id: 'rscan-ok', title: 'RESULT_SCAN reads back the last result and, with LAST_QUERY_ID(-2), the one before',
+    expect: [[6, 'ALGERIA']],
+    sql: `SELECT n_name FROM nation WHERE n_nationkey = 0;
+SELECT n_nationkey FROM nation WHERE n_nationkey < 3;
+SELECT (SELECT SUM(n_nationkey) + COUNT(*) FROM TABLE(RESULT_SCAN(LAST_QUERY_ID()))),
+  (SELECT "N_NAME" FROM TABLE(RESULT_SCAN(LAST_QUERY_ID(-2))));` },
+  { id: 'rscan-no', title: 'RESULT_SCAN of a query ID the session never ran',
+    error: /Statement '01b00000-0000-0000-0000-000000000000' not found in this session/,
+    sql: `SELECT * FROM TABLE(RESULT_SCAN('01b00000-0000-0000-0000-000000000000'));` },
+  { id: 'exec-ok', title: 'EXECUTE IMMEDIATE runs a Snowflake Scripting block and returns its value',
+    expect: [[6]],
+    sql: `EXECUTE IMMEDIATE $$
+DECLARE n INT DEFAULT 0;
+BEGIN
+  FOR i IN 1 TO 3 DO n := n + i; END FOR;
+  RETURN n;
+END;
+$$;` },
+  { id: 'exec-raise', title: 'EXECUTE IMMEDIATE surfaces an exception the block raises',
+    error: /Uncaught exception of type 'E_BAD'[\s\S]*bad thing/,
+    sql: `EXECUTE IMMEDIATE $$
+DECLARE e_bad EXCEPTION (-20001, 'bad thing');
+BEGIN
+  RAISE e_bad;
+END;
+$$;` },
+  { id: 'call-ok', title: 'CALL runs a SQL procedure with its arguments',
+    expect: [[42]],
+    sql: `CREATE OR REPLACE PROCEDURE add_one(x INT) RETURNS INT LANGUAGE SQL AS $$
+BEGIN
+  RETURN x + 1;
+END;
+$$;
+CALL add_one(41);` },
+  { id: 'call-args', title: 'CALL with the wrong number of arguments',
+    error: /Invalid argument count for procedure 'ADD_ONE': expected 1, got 2/,
+    sql: `CREATE OR REPLACE PROCEDURE add_one(x INT) RETURNS INT LANGUAGE SQL AS $$
+BEGIN
+  RETURN x + 1;
+END;
+$$;
+CALL add_one(1, 2);` },
+  { id: 'stream-ok', title: 'A stream shows the inserted rows until a DML statement reads it',
+    expect: [[2, 0]],
+    sql: `CREATE OR REPLACE TABLE stream_src (id INT);
+CREATE OR REPLACE TABLE stream_dst (id INT);
+CREATE OR REPLACE STREAM stream_ok ON TABLE stream_src;
+INSERT INTO stream_src VALUES (1), (2);
+INSERT INTO stream_dst SELECT id FROM stream_ok WHERE METADATA$ACTION = 'INSERT';
+SELECT (SELECT COUNT(*) FROM stream_dst), (SELECT COUNT(*) FROM stream_ok);` },
+  { id: 'stream-no', title: 'A stream on a table that does not exist',
+    error: /Table 'NO_SUCH_SRC' does not exist or not authorized/,
+    sql: `CREATE STREAM stream_no ON TABLE no_such_src;` },
+  { id: 'task-ok', title: 'CREATE TASK files a suspended task SHOW TASKS lists',
+    expect: [['TASK_OK', 'suspended', '1 MINUTE', 'INSERT INTO stream_dst VALUES (9)']],
+    sql: `CREATE OR REPLACE TABLE stream_dst (id INT);
+CREATE OR REPLACE TASK task_ok WAREHOUSE = COMPUTE_WH SCHEDULE = '1 MINUTE' AS INSERT INTO stream_dst VALUES (9);
+SHOW TASKS LIKE 'TASK_OK';
+SELECT "name", "state", "schedule", "definition" FROM TABLE(RESULT_SCAN(LAST_QUERY_ID()));` },
+  { id: 'task-no', title: 'EXECUTE TASK of a task that does not exist',
+    error: /Task 'NO_SUCH_TASK' does not exist or not authorized/,
+    sql: `EXECUTE TASK no_such_task;` },
+  { id: 'cat-sync', title: 'Created, renamed and dropped objects show in INFORMATION_SCHEMA.TABLES as they now are',
+    expect: [['CAT_SYNC_T2', 'BASE TABLE', 2], ['CAT_SYNC_V', 'VIEW', null]],
+    sql: `CREATE OR REPLACE TABLE cat_sync_t AS SELECT 1 AS a UNION ALL SELECT 2;
+CREATE OR REPLACE VIEW cat_sync_v AS SELECT n_name FROM nation;
+CREATE OR REPLACE TABLE cat_sync_x AS SELECT 1 AS a;
+ALTER TABLE cat_sync_t RENAME TO cat_sync_t2;
+DROP TABLE cat_sync_x;
+SELECT TABLE_NAME, TABLE_TYPE, ROW_COUNT FROM SNOWFLAKE_SAMPLE_DATA.INFORMATION_SCHEMA.TABLES
+WHERE TABLE_NAME LIKE 'CAT_SYNC%' ORDER BY 1;` },
+  { id: 'cat-gone', title: 'A dropped table is gone from the catalog',
+    error: /Table 'CAT_GONE' does not exist or not authorized/,
+    sql: `CREATE OR REPLACE TABLE cat_gone AS SELECT 1 AS a;
+DROP TABLE cat_gone;
+DROP TABLE cat_gone;` },
+  { id: 'seq-ok', title: 'A sequence numbers NEXTVAL and a column DEFAULT from START by INCREMENT',
+    expect: [[20, 'a'], [25, 'b']],
+    sql: `CREATE OR REPLACE SEQUENCE seq_ok START = 10 INCREMENT = 5;
+SELECT seq_ok.NEXTVAL, seq_ok.NEXTVAL;
+CREATE OR REPLACE TABLE seq_ok_t (id INT DEFAULT seq_ok.NEXTVAL, v STRING);
+INSERT INTO seq_ok_t (v) VALUES ('a'), ('b');
+SELECT id, v FROM seq_ok_t ORDER BY id;` },
+  { id: 'seq-no', title: 'NEXTVAL of a sequence that does not exist',
+    error: /Sequence 'NO_SUCH_SEQ' does not exist or not authorized/,
+    sql: `SELECT no_such_seq.NEXTVAL;` },
+  { id: 'tx-ok', title: 'ROLLBACK undoes a transaction\'s writes and COMMIT keeps them',
+    expect: [[2]],
+    sql: `CREATE OR REPLACE TABLE tx_ok (id INT);
+BEGIN;
+INSERT INTO tx_ok VALUES (1);
+ROLLBACK;
+BEGIN TRANSACTION;
+INSERT INTO tx_ok VALUES (2);
+COMMIT;
+SELECT * FROM tx_ok;` },
+  { id: 'tx-ddl', title: 'DDL commits the open transaction, so ROLLBACK after it undoes nothing',
+    expect: [[1]],
+    sql: `CREATE OR REPLACE TABLE tx_ddl (id INT);
+BEGIN;
+INSERT INTO tx_ddl VALUES (1);
+CREATE OR REPLACE TABLE tx_ddl_other (id INT);
+ROLLBACK;
+SELECT COUNT(*) FROM tx_ddl;` },
+  { id: 'tx-err', title: 'A failing statement inside a transaction raises its error',
+    error: /Numeric value 'x' is not recognized|Could not convert string 'x'/,
+    sql: `CREATE OR REPLACE TABLE tx_err (id INT);
+BEGIN;
+INSERT INTO tx_err VALUES (1);
+INSERT INTO tx_err VALUES ('x');` },
+  { id: 'cor-cols', title: 'CREATE OR REPLACE with a column list replaces the table',
+    expect: [[1, 'b']],
+    sql: `CREATE TABLE cor_cols (id INT, name STRING);
+INSERT INTO cor_cols VALUES (1, 'a'), (2, 'a');
+CREATE OR REPLACE TABLE cor_cols (id INT, name STRING);
+INSERT INTO cor_cols VALUES (1, 'b');
+SELECT * FROM cor_cols;` }
+];
+
+const SESSION_START = JSON.stringify({ context: page.state.context, session: page.state.session });
+
+// Runs a worksheet case's statements in a fresh session; the last result.
+async function runWorksheet(adapter, sql, staged) {
+  storage.clear();
+  page.loadState();
+  Object.assign(page.state, JSON.parse(SESSION_START));
+  page.state.engine = adapter;
+  for (const [name, text] of Object.entries(staged || {})) page.addFileToStage('~', name, new TextEncoder().encode(text));
+  let last = null;
+  for (const sp of statementSpans(sql)) {
+    const text = sql.slice(sp.start, sp.end).trim();
+    if (!text) continue;
+    const qid = page.makeQID();
+    last = await page.runScriptSql(text, { qid, startTs: Date.now() });
+    page.retainResult(qid, last);
+  }
+  return last;
+}
+
+// Translates `sql` as runQuery does — answering pre-queries, then running
+// the translation's cleanup whether or not it succeeded — and checks that
+// no MERGE plan table outlives it.
+async function runTranslated(adapter, sql, scope) {
+  const d = await translateWithPrequeries(sql, ENGINE, q => adapter.exec(q), scope);
+  try {
+    return await adapter.exec(d.sql);
+  } finally {
+    for (const q of d.cleanup) await adapter.exec(q);
+    const left = await adapter.exec(ENGINE === 'duckdb'
+      ? `SELECT table_name FROM duckdb_tables() WHERE table_name IN ('__merge_matched', '__merge_unmatched')`
+      : `SELECT name FROM sqlite_temp_master WHERE name IN ('__merge_matched', '__merge_unmatched')`);
+    if (left.length && left[left.length - 1].values.length) throw new Error('MERGE plan tables were left behind');
+  }
+}
+
 // ---------- Run ----------
 
 (async () => {
@@ -225,10 +690,18 @@ function normalizeDuck(v) {
     }
     const tStart = Date.now();
     try {
-      const translated = translateSnowflake(t.sql, ENGINE);
-      const result = await adapter.exec(translated);
+      // Pre-queries (PIVOT source columns, ANY value lists) run against the
+      // same adapter, as runQuery does in the page.
+      const result = await runTranslated(adapter, t.sql);
       const last = result[result.length - 1];
       const rows = last && last.values ? last.values.length : 0;
+      // Templates with `expect` pin their exact result rows, so the same
+      // literal holding on every engine proves the engines agree.
+      if (t.expect) {
+        const norm = v => typeof v === 'bigint' ? Number(v) : v;
+        const got = JSON.stringify(last ? last.values.map(r => r.map(norm)) : []);
+        if (got !== JSON.stringify(t.expect)) throw new Error(`result rows differ from expect: ${got.slice(0, 200)}`);
+      }
       const ms = Date.now() - tStart;
       console.log(`  PASS  ${id}  ${String(rows).padStart(6)} rows  ${String(ms).padStart(4)}ms  ${t.title}`);
       pass++;
@@ -241,8 +714,76 @@ function normalizeDuck(v) {
     }
   }
 
-  const total = TEMPLATES.length - skip;
-  console.log(`\n${pass}/${total} templates pass on engine=${ENGINE}${skip ? ` (${skip} skipped)` : ''}`);
+  // Statements Snowflake rejects must fail the same way on the engine.
+  console.log('');
+  for (const t of ERROR_CASES) {
+    const id = t.id.padEnd(10);
+    try {
+      let error = null;
+      try { await runTranslated(adapter, t.sql); } catch (e) { error = e.message; }
+      if (error === null) throw new Error('statement succeeded');
+      if (!t.error.test(error)) throw new Error(`unexpected error: ${error.replace(/\s+/g, ' ')}`);
+      console.log(`  PASS  ${id}  raises ${JSON.stringify(error.split('\n')[0].slice(0, 48))}  ${t.title}`);
+      pass++;
+    } catch (e) {
+      console.log(`  FAIL  ${id}  ${t.title}`);
+      console.log(`        ${e.message.split('\n')[0]}`);
+      failures.push({ id: t.id, title: t.title, error: e.message });
+      fail++;
+    }
+  }
+
+  // Session and worksheet cases: each pinned to its `expect` rows or its
+  // `error`, `run()` giving the result set or throwing.
+  const check = async (t, run) => {
+    const id = t.id.padEnd(10);
+    if (Array.isArray(t.engines) && !t.engines.includes(ENGINE)) {
+      console.log(`  SKIP  ${id}  ${t.title}  (engine: ${t.engines.join(',')})`);
+      skip++;
+      return;
+    }
+    try {
+      let result = null, error = null;
+      try { result = await run(); } catch (e) { error = e.message; }
+      if (t.error) {
+        if (error === null) throw new Error('statement succeeded');
+        if (!t.error.test(error)) throw new Error(`unexpected error: ${error.replace(/\s+/g, ' ')}`);
+        console.log(`  PASS  ${id}  raises ${JSON.stringify(error.split('\n')[0].slice(0, 48))}  ${t.title}`);
+      } else {
+        if (error !== null) throw new Error(error);
+        const last = Array.isArray(result) ? result[result.length - 1] : result;
+        const norm = v => typeof v === 'bigint' ? Number(v) : v;
+        const got = JSON.stringify(last ? last.values.map(r => r.map(norm)) : []);
+        if (got !== JSON.stringify(t.expect)) throw new Error(`result rows differ from expect: ${got.slice(0, 200)}`);
+        if (t.columns && JSON.stringify(last.columns) !== JSON.stringify(t.columns)) {
+          throw new Error(`column names differ from columns: ${JSON.stringify(last.columns)}`);
+        }
+        console.log(`  PASS  ${id}  ${String(last ? last.values.length : 0).padStart(6)} rows  ${t.title}`);
+      }
+      pass++;
+    } catch (e) {
+      console.log(`  FAIL  ${id}  ${t.title}`);
+      console.log(`        ${e.message.split('\n')[0]}`);
+      failures.push({ id: t.id, title: t.title, error: e.message });
+      fail++;
+    }
+  };
+
+  // Statements in a session with policies or grants.
+  console.log('');
+  for (const t of SESSION_CASES) {
+    await check(t, async () => {
+      if (t.setup) await adapter.exec(t.setup);
+      return runTranslated(adapter, t.sql, t.scope);
+    });
+  }
+
+  // Scripts through the worksheet path.
+  console.log('');
+  for (const t of WORKSHEET_CASES) await check(t, () => runWorksheet(adapter, t.sql, t.staged));
+
+  const total = TEMPLATES.length + ERROR_CASES.length + SESSION_CASES.length + WORKSHEET_CASES.length - skip;
+  console.log(`\n${pass}/${total} templates, error, session and worksheet cases pass on engine=${ENGINE}${skip ? ` (${skip} skipped)` : ''}`);
   if (fail > 0) {
     console.log('\nFailures:');
     for (const f of failures) console.log(`  - ${f.id}: ${f.error.split('\n')[0]}`);